@@ -0,0 +1,99 @@
+// Reports issues through POST /issues on a real server process and checks the SLA deadlines it stores.
+// Needs a MongoDB to write to: set TEST_MONGODB_URI to a throwaway deployment, otherwise these tests are skipped.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const path = require('node:path');
+const jwt = require('jsonwebtoken');
+const { MongoClient, ObjectId } = require('mongodb');
+
+const mongoUri = process.env.TEST_MONGODB_URI;
+const skip = mongoUri ? false : 'set TEST_MONGODB_URI to run tests that need MongoDB';
+const jwtSecret = 'local_test_jwt_secret';
+const port = 4100 + Math.floor(Math.random() * 800);
+const baseUrl = `http://127.0.0.1:${port}`;
+const reporterEmail = `sla-test-${Date.now()}@example.com`;
+const hour = 60 * 60 * 1000;
+let server;
+let client;
+let db;
+const createdIssueIds = [];
+
+before(async () => {
+    if (skip) return;
+
+    client = new MongoClient(mongoUri);
+    db = client.db('Urban_insight_db');
+    await db.collection('users').insertOne({
+        email: reporterEmail,
+        name: 'SLA Test',
+        role: 'user',
+        isPremium: true,
+        createdAt: new Date()
+    });
+
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            MONGODB_URI: mongoUri,
+            JWT_SECRET: jwtSecret,
+            JWT_ALGORITHMS: 'HS256',
+            JOBS_ENABLED: 'false'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Server did not start within 10 seconds')), 10000);
+        server.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('Server listening')) {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+        server.on('exit', (code) => reject(new Error(`Server exited with code ${code}`)));
+    });
+});
+
+after(async () => {
+    if (skip) return;
+
+    server?.kill();
+    await db.collection('issues').deleteMany({ _id: { $in: createdIssueIds } });
+    await db.collection('users').deleteOne({ email: reporterEmail });
+    await client.close();
+});
+
+const reportIssue = async (fields) => {
+    const token = jwt.sign({ email: reporterEmail }, jwtSecret, { algorithm: 'HS256' });
+    const res = await fetch(`${baseUrl}/issues`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ ignoreDuplicates: true, ...fields })
+    });
+    const body = await res.json();
+    assert.strictEqual(res.status, 200, JSON.stringify(body));
+
+    const issueId = new ObjectId(body.insertedId);
+    createdIssueIds.push(issueId);
+    return db.collection('issues').findOne({ _id: issueId });
+};
+
+test('gives a critical issue targets at least as tight as a high one', { skip }, async () => {
+    const { categories: [category] } = await (await fetch(`${baseUrl}/categories`)).json();
+    const draft = {
+        issueTitle: 'Exposed live wire at the bus stop',
+        description: 'A cable hangs loose next to the shelter',
+        location: 'Test Road',
+        categoryId: String(category._id)
+    };
+
+    const high = await reportIssue({ ...draft, priority: 'high' });
+    const critical = await reportIssue({ ...draft, priority: 'critical' });
+
+    const hoursUntil = (issue, field) => (new Date(issue.sla[field]) - new Date(issue.createdAt)) / hour;
+    assert.ok(hoursUntil(critical, 'assignDueAt') <= hoursUntil(high, 'assignDueAt'));
+    assert.ok(hoursUntil(critical, 'resolveDueAt') <= hoursUntil(high, 'resolveDueAt'));
+    assert.ok(hoursUntil(critical, 'resolveDueAt') < 168);
+});
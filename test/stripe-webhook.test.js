@@ -0,0 +1,165 @@
+// Posts locally signed Stripe events to POST /stripe/webhook on a real server process.
+// Signature handling and event routing need neither MongoDB nor Stripe. The fulfilment test needs a
+// MongoDB to write to: set TEST_MONGODB_URI to a throwaway deployment, otherwise it is skipped.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const path = require('node:path');
+const Stripe = require('stripe');
+const { MongoClient } = require('mongodb');
+
+const mongoUri = process.env.TEST_MONGODB_URI;
+const webhookSecret = 'whsec_local_test_secret';
+const port = 4100 + Math.floor(Math.random() * 800);
+const baseUrl = `http://127.0.0.1:${port}`;
+let server;
+
+before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            STRIPE_WEBHOOK_SECRET: webhookSecret,
+            // Without a test database, point at a port nothing listens on so the server starts without one
+            MONGODB_URI: mongoUri || 'mongodb://127.0.0.1:1/urban-insight-test?serverSelectionTimeoutMS=500',
+            JOBS_ENABLED: 'false'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Server did not start within 10 seconds')), 10000);
+        server.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('Server listening')) {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+        server.on('exit', (code) => reject(new Error(`Server exited with code ${code}`)));
+    });
+});
+
+after(() => {
+    server?.kill();
+});
+
+const signedEvent = (type, object) => {
+    const payload = JSON.stringify({
+        id: `evt_test_${Date.now()}`,
+        object: 'event',
+        type,
+        data: { object }
+    });
+    return { payload, signature: Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret }) };
+};
+
+const postWebhook = (payload, signature) => fetch(`${baseUrl}/stripe/webhook`, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/json',
+        ...(signature ? { 'stripe-signature': signature } : {})
+    },
+    body: payload
+});
+
+test('accepts a correctly signed event it does not handle', async () => {
+    const { payload, signature } = signedEvent('customer.created', { id: 'cus_test', object: 'customer' });
+    const res = await postWebhook(payload, signature);
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { received: true, type: 'customer.created' });
+});
+
+test('routes a signed checkout event without fulfilling an unpaid session', async () => {
+    const { payload, signature } = signedEvent('checkout.session.completed', {
+        id: 'cs_test',
+        object: 'checkout.session',
+        payment_status: 'unpaid'
+    });
+    const res = await postWebhook(payload, signature);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).type, 'checkout.session.completed');
+});
+
+test('rejects a payload changed after signing', async () => {
+    const { payload, signature } = signedEvent('checkout.session.completed', {
+        id: 'cs_test',
+        object: 'checkout.session',
+        payment_status: 'unpaid'
+    });
+    const res = await postWebhook(payload.replace('unpaid', 'paid'), signature);
+
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).error, /signature verification failed/);
+});
+
+test('rejects an event signed with another secret', async () => {
+    const payload = JSON.stringify({ id: 'evt_test', object: 'event', type: 'invoice.paid', data: { object: {} } });
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_someone_else' });
+    const res = await postWebhook(payload, signature);
+
+    assert.strictEqual(res.status, 400);
+});
+
+test('rejects a request without a signature', async () => {
+    const { payload } = signedEvent('invoice.paid', {});
+    const res = await postWebhook(payload);
+
+    assert.strictEqual(res.status, 400);
+});
+
+test('fulfils a boost only once when Stripe delivers the same event twice', {
+    skip: mongoUri ? false : 'set TEST_MONGODB_URI to run tests that need MongoDB'
+}, async () => {
+    const client = new MongoClient(mongoUri);
+    const db = client.db('Urban_insight_db');
+    const suffix = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const sessionId = `cs_test_${suffix}`;
+    const userEmail = `webhook-test-${suffix}@example.com`;
+    const { insertedId: issueId } = await db.collection('issues').insertOne({
+        issueTitle: 'Webhook retry test',
+        status: 'pending',
+        isBoosted: false,
+        upvotes: 0,
+        timeline: [],
+        createdAt: new Date()
+    });
+
+    try {
+        const { payload, signature } = signedEvent('checkout.session.completed', {
+            id: sessionId,
+            object: 'checkout.session',
+            mode: 'payment',
+            payment_status: 'paid',
+            payment_intent: `pi_test_${suffix}`,
+            currency: 'bdt',
+            metadata: {
+                type: 'boost',
+                issueId: issueId.toString(),
+                issueTitle: 'Webhook retry test',
+                userEmail: userEmail,
+                amount: '100'
+            }
+        });
+
+        // A retry is the same signed event, byte for byte
+        for (let delivery = 1; delivery <= 2; delivery++) {
+            const res = await postWebhook(payload, signature);
+            assert.strictEqual(res.status, 200, `delivery ${delivery}: ${await res.text()}`);
+        }
+
+        const payments = await db.collection('payments').find({ stripeSessionId: sessionId }).toArray();
+        assert.strictEqual(payments.length, 1);
+        assert.strictEqual(payments[0].fulfilled, true);
+
+        const issue = await db.collection('issues').findOne({ _id: issueId });
+        assert.strictEqual(issue.isBoosted, true);
+        assert.strictEqual(issue.timeline.filter(entry => entry.action === 'boosted').length, 1);
+    } finally {
+        await db.collection('issues').deleteOne({ _id: issueId });
+        await db.collection('payments').deleteMany({ stripeSessionId: sessionId });
+        await db.collection('emailQueue').deleteMany({ to: userEmail });
+        await client.close();
+    }
+});